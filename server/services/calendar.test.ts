@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calendarFileName, eventUid, renderCalendar, renderEventCalendar } from "./calendar";
+
+const now = new Date("2024-06-01T08:00:00Z");
+
+const painting = {
+  portalId: "dps-sample-001",
+  title: "Painting Competition",
+  description: "Painting Competition for all age groups",
+  eventDate: "2024-06-15",
+  endDate: "2024-06-20",
+  deadline: "2024-06-14",
+  venue: "DPS Art Studio, Block B",
+  category: "cultural",
+  pdfLinks: ["https://www.msdpssharjah.com/documents/cultural_arts_guidelines.pdf"],
+};
+
+function unfold(ics: string): string[] {
+  return ics.replace(/\r\n /g, "").split("\r\n").filter(Boolean);
+}
+
+test("feed wraps events in a VCALENDAR with CRLF line endings", () => {
+  const ics = renderCalendar([painting], { now });
+
+  assert.ok(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n"));
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  assert.ok(!/[^\r]\n/.test(ics));
+  assert.ok(unfold(ics).includes("X-WR-TIMEZONE:Asia/Dubai"));
+});
+
+test("date-only events become all-day spans with an exclusive end", () => {
+  const lines = unfold(renderCalendar([painting], { now }));
+
+  assert.ok(lines.includes("UID:dps-sample-001@dps-event-notifier"));
+  assert.ok(lines.includes("DTSTART;VALUE=DATE:20240615"));
+  assert.ok(lines.includes("DTEND;VALUE=DATE:20240621"));
+  assert.ok(lines.includes("LOCATION:DPS Art Studio\\, Block B"));
+  assert.ok(lines.includes("CATEGORIES:cultural"));
+  assert.ok(lines.includes("ATTACH;FMTTYPE=application/pdf:https://www.msdpssharjah.com/documents/cultural_arts_guidelines.pdf"));
+  assert.ok(lines.includes("DESCRIPTION:Painting Competition for all age groups\\n\\nRegistration deadline: 14 Jun 2024"));
+});
+
+test("the deadline is a VALARM at 09:00 Dubai time on a date-only deadline day", () => {
+  const lines = unfold(renderCalendar([painting], { now }));
+  const alarm = lines.slice(lines.indexOf("BEGIN:VALARM"), lines.indexOf("END:VALARM") + 1);
+
+  assert.deepEqual(alarm, [
+    "BEGIN:VALARM",
+    "ACTION:DISPLAY",
+    "TRIGGER;VALUE=DATE-TIME:20240614T050000Z",
+    "DESCRIPTION:Registration deadline: Painting Competition",
+    "END:VALARM",
+  ]);
+});
+
+test("timed events use UTC instants and default to one hour", () => {
+  const lines = unfold(renderCalendar([{ ...painting, eventDate: "2024-06-15T10:00", endDate: null }], { now }));
+
+  assert.ok(lines.includes("DTSTART:20240615T060000Z"));
+  assert.ok(lines.includes("DTEND:20240615T070000Z"));
+});
+
+test("events without an event date fall back to an all-day deadline item", () => {
+  const lines = unfold(renderCalendar([{ ...painting, eventDate: "TBA", endDate: null }], { now }));
+
+  assert.ok(lines.includes("SUMMARY:Deadline: Painting Competition"));
+  assert.ok(lines.includes("DTSTART;VALUE=DATE:20240614"));
+  assert.ok(!lines.includes("BEGIN:VALARM"));
+  assert.equal(renderCalendar([{ ...painting, eventDate: null, deadline: null }], { now }).includes("BEGIN:VEVENT"), false);
+});
+
+test("UIDs are stable across renders so updates replace entries", () => {
+  const before = unfold(renderEventCalendar(painting, { now }));
+  const after = unfold(renderEventCalendar({ ...painting, venue: "DPS Auditorium", sequence: 1 }, { now }));
+
+  assert.equal(before.find((line) => line.startsWith("UID:")), after.find((line) => line.startsWith("UID:")));
+  assert.ok(after.includes("SEQUENCE:1"));
+  assert.equal(eventUid("dps sample/001"), "dps-sample-001@dps-event-notifier");
+  assert.equal(calendarFileName(painting), "painting-competition-dps-sample-001.ics");
+});
+
+test("long lines are folded at 75 octets", () => {
+  const ics = renderEventCalendar({ ...painting, description: "é".repeat(100) }, { now });
+
+  for (const line of ics.split("\r\n")) {
+    assert.ok(Buffer.byteLength(line, "utf8") <= 75, line);
+  }
+  assert.ok(unfold(ics).includes(`DESCRIPTION:${"é".repeat(100)}\\n\\nRegistration deadline: 14 Jun 2024`));
+});
@@ -0,0 +1,193 @@
+/**
+ * iCalendar (RFC 5545) rendering for scraped events.
+ *
+ * The event span comes from eventDate/endDate, the registration deadline
+ * becomes a VALARM, venue becomes LOCATION and pdfLinks become ATTACH
+ * lines. UIDs are derived from portalId so calendar apps replace an entry
+ * when it is re-published instead of duplicating it.
+ */
+
+import {
+  DUBAI_TIMEZONE,
+  formatInDubai,
+  readEventDates,
+  toDubaiParts,
+  type EventDateFields,
+  type PortalDate,
+} from "../utils/timezone";
+
+export const CALENDAR_PRODUCT_ID = "-//DPS Event Notifier//Events//EN";
+
+const UID_DOMAIN = "dps-event-notifier";
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Date-only deadlines alarm at 09:00 Dubai time on the deadline day
+const DEADLINE_ALARM_HOUR = 9;
+
+export interface CalendarEvent extends EventDateFields {
+  portalId: string;
+  title: string;
+  description?: string | null;
+  venue?: string | null;
+  category?: string | null;
+  pdfLinks?: string[] | null;
+  // Bumped whenever the event changes, e.g. its history version
+  sequence?: number;
+}
+
+export interface CalendarOptions {
+  name?: string;
+  now?: Date;
+}
+
+export function eventUid(portalId: string): string {
+  return `${portalId.trim().replace(/[^A-Za-z0-9._-]/g, "-")}@${UID_DOMAIN}`;
+}
+
+export function calendarFileName(event: Pick<CalendarEvent, "portalId" | "title">): string {
+  const slug = `${event.title}-${event.portalId}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return `${slug || "event"}.ics`;
+}
+
+function escapeText(text: string): string {
+  return text
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Content lines are limited to 75 octets; longer ones continue after CRLF + space
+function foldLine(line: string): string {
+  const chunks: string[] = [];
+  let current = "";
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char, "utf8");
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      chunks.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  chunks.push(current);
+
+  return chunks.join("\r\n ");
+}
+
+function formatUtc(date: Date): string {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// All-day values are calendar days in Dubai, optionally shifted by whole days
+function formatDay(date: PortalDate, offsetDays = 0): string {
+  const { year, month, day } = toDubaiParts(new Date(new Date(date.utc).getTime() + offsetDays * DAY_MS));
+  return `${year}${String(month + 1).padStart(2, "0")}${String(day).padStart(2, "0")}`;
+}
+
+function spanLines(start: PortalDate, end: PortalDate | null): string[] {
+  if (!start.hasTime) {
+    // DTEND is exclusive for all-day events
+    const last = end ?? start;
+    return [`DTSTART;VALUE=DATE:${formatDay(start)}`, `DTEND;VALUE=DATE:${formatDay(last, 1)}`];
+  }
+
+  const startTime = new Date(start.utc);
+  let endTime: Date;
+  if (!end) {
+    endTime = new Date(startTime.getTime() + HOUR_MS);
+  } else if (end.hasTime) {
+    endTime = new Date(end.utc);
+  } else {
+    endTime = new Date(new Date(end.utc).getTime() + DAY_MS);
+  }
+
+  return [`DTSTART:${formatUtc(startTime)}`, `DTEND:${formatUtc(endTime)}`];
+}
+
+function deadlineAlarm(title: string, deadline: PortalDate): string[] {
+  const trigger = deadline.hasTime
+    ? new Date(deadline.utc)
+    : new Date(new Date(deadline.utc).getTime() + DEADLINE_ALARM_HOUR * HOUR_MS);
+
+  return [
+    "BEGIN:VALARM",
+    "ACTION:DISPLAY",
+    `TRIGGER;VALUE=DATE-TIME:${formatUtc(trigger)}`,
+    `DESCRIPTION:${escapeText(`Registration deadline: ${title}`)}`,
+    "END:VALARM",
+  ];
+}
+
+/**
+ * VEVENT lines for one event. Events without a usable eventDate are shown
+ * as an all-day item on their deadline day; with neither, nothing is
+ * rendered.
+ */
+export function renderEvent(event: CalendarEvent, now: Date = new Date()): string[] {
+  const { eventDate, endDate, deadline } = readEventDates(event, { reference: now });
+  if (!eventDate && !deadline) return [];
+
+  const title = event.title.trim();
+  const descriptionParts = [event.description?.trim()];
+  if (deadline) {
+    descriptionParts.push(`Registration deadline: ${formatInDubai(deadline.utc, deadline.hasTime)}`);
+  }
+  const description = descriptionParts.filter(Boolean).join("\n\n");
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${eventUid(event.portalId)}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `SEQUENCE:${event.sequence ?? 0}`,
+    ...(eventDate
+      ? [`SUMMARY:${escapeText(title)}`, ...spanLines(eventDate, endDate)]
+      : [`SUMMARY:${escapeText(`Deadline: ${title}`)}`, ...spanLines({ ...deadline!, hasTime: false }, null)]),
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (event.venue?.trim()) lines.push(`LOCATION:${escapeText(event.venue.trim())}`);
+  if (event.category?.trim()) lines.push(`CATEGORIES:${escapeText(event.category.trim())}`);
+  for (const link of event.pdfLinks ?? []) {
+    lines.push(`ATTACH;FMTTYPE=application/pdf:${link}`);
+  }
+  if (eventDate && deadline) lines.push(...deadlineAlarm(title, deadline));
+
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * A complete VCALENDAR document, suitable for the subscribable feed.
+ */
+export function renderCalendar(events: CalendarEvent[], options: CalendarOptions = {}): string {
+  const now = options.now ?? new Date();
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${CALENDAR_PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(options.name ?? "DPS Sharjah Events")}`,
+    `X-WR-TIMEZONE:${DUBAI_TIMEZONE}`,
+    ...events.flatMap((event) => renderEvent(event, now)),
+    "END:VCALENDAR",
+  ];
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * A single-event calendar for per-event .ics downloads.
+ */
+export function renderEventCalendar(event: CalendarEvent, options: CalendarOptions = {}): string {
+  return renderCalendar([event], { name: event.title, ...options });
+}
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { describeChanges, diffEvents, recordSnapshot, type EventVersion } from "./eventHistory";
+
+const painting = {
+  portalId: "dps-sample-001",
+  title: "Painting Competition",
+  eventDate: "2024-06-15",
+  endDate: "2024-06-20",
+  deadline: "2024-06-14",
+  venue: "DPS Art Studio",
+  status: "open",
+  pdfLinks: [
+    "https://www.msdpssharjah.com/documents/cultural_arts_guidelines.pdf",
+    "https://www.msdpssharjah.com/documents/registration_form.pdf",
+  ],
+};
+
+test("identical snapshots have no diff; blanks and link order are ignored", () => {
+  assert.deepEqual(diffEvents(painting, { ...painting }), []);
+  assert.deepEqual(diffEvents({ ...painting, venue: null }, { ...painting, venue: "  " }), []);
+  assert.deepEqual(diffEvents(painting, { ...painting, pdfLinks: [...painting.pdfLinks].reverse() }), []);
+});
+
+test("field-level changes, including added and removed documents", () => {
+  const next = {
+    ...painting,
+    deadline: "2024-06-12",
+    venue: "DPS Auditorium",
+    status: "closed",
+    pdfLinks: [painting.pdfLinks[0], "https://www.msdpssharjah.com/documents/registration_form_v2.pdf"],
+    title: "Renamed titles are not tracked",
+  };
+
+  const changes = diffEvents(painting, next);
+
+  assert.deepEqual(changes.map((change) => change.field), ["deadline", "venue", "status", "pdfLinks"]);
+  assert.deepEqual(changes[0], { field: "deadline", before: "2024-06-14", after: "2024-06-12" });
+  assert.deepEqual(changes[3].added, ["https://www.msdpssharjah.com/documents/registration_form_v2.pdf"]);
+  assert.deepEqual(changes[3].removed, ["https://www.msdpssharjah.com/documents/registration_form.pdf"]);
+
+  assert.deepEqual(describeChanges(changes), [
+    "Deadline changed from 2024-06-14 to 2024-06-12",
+    "Venue changed from DPS Art Studio to DPS Auditorium",
+    "Status changed from open to closed",
+    "Documents: added https://www.msdpssharjah.com/documents/registration_form_v2.pdf",
+    "Documents: removed https://www.msdpssharjah.com/documents/registration_form.pdf",
+  ]);
+});
+
+test("recordSnapshot only adds a version when a tracked field changed", () => {
+  const history: EventVersion[] = [];
+
+  const first = recordSnapshot(history, painting, new Date("2024-06-01T00:00:00Z"));
+  assert.ok(first);
+  assert.equal(first.version, 1);
+  assert.deepEqual(first.changes, []);
+  history.push(first);
+
+  assert.equal(recordSnapshot(history, { ...painting }), null);
+
+  const second = recordSnapshot(history, { ...painting, endDate: "2024-06-21" }, new Date("2024-06-02T00:00:00Z"));
+  assert.ok(second);
+  assert.equal(second.version, 2);
+  assert.equal(second.scrapedAt, "2024-06-02T00:00:00.000Z");
+  assert.deepEqual(second.changes, [{ field: "endDate", before: "2024-06-20", after: "2024-06-21" }]);
+});
+
+test("recordSnapshot refuses a snapshot for another event", () => {
+  const history = [recordSnapshot([], painting)!];
+  assert.throws(() => recordSnapshot(history, { ...painting, portalId: "dps-sample-002" }), /does not belong/);
+});
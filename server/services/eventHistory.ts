@@ -0,0 +1,143 @@
+/**
+ * Versioned event history keyed by portalId.
+ *
+ * Each scrape produces a snapshot per event; a new version is recorded only
+ * when one of the tracked fields changed, together with the field-level
+ * diff, so notifications can say what moved instead of just "new event".
+ * Storage is left to the caller: these functions work on plain arrays.
+ */
+
+export const TRACKED_FIELDS = ["eventDate", "endDate", "deadline", "venue", "status", "pdfLinks"] as const;
+
+export type TrackedField = (typeof TRACKED_FIELDS)[number];
+
+export interface EventSnapshot {
+  portalId: string;
+  title?: string;
+  eventDate?: string | null;
+  endDate?: string | null;
+  deadline?: string | null;
+  venue?: string | null;
+  status?: string | null;
+  pdfLinks?: string[] | null;
+  [key: string]: unknown;
+}
+
+export interface FieldChange {
+  field: TrackedField;
+  before: string | string[] | null;
+  after: string | string[] | null;
+  // Only for pdfLinks
+  added?: string[];
+  removed?: string[];
+}
+
+export interface EventVersion {
+  portalId: string;
+  version: number;
+  scrapedAt: string;
+  snapshot: EventSnapshot;
+  // Empty for the first version
+  changes: FieldChange[];
+}
+
+const FIELD_LABELS: Record<TrackedField, string> = {
+  eventDate: "Event date",
+  endDate: "End date",
+  deadline: "Deadline",
+  venue: "Venue",
+  status: "Status",
+  pdfLinks: "Documents",
+};
+
+function normalizeText(value: unknown): string | null {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  return text ? text : null;
+}
+
+function normalizeLinks(value: unknown): string[] {
+  if (!Array.isArray(value)) return [];
+  return Array.from(new Set(value.map((link) => String(link).trim()).filter(Boolean))).sort();
+}
+
+/**
+ * Field-level differences between two snapshots of the same event.
+ * Blank strings, null and missing values are treated as the same, and
+ * pdfLinks are compared as a set.
+ */
+export function diffEvents(previous: EventSnapshot, next: EventSnapshot): FieldChange[] {
+  const changes: FieldChange[] = [];
+
+  for (const field of TRACKED_FIELDS) {
+    if (field === "pdfLinks") {
+      const before = normalizeLinks(previous.pdfLinks);
+      const after = normalizeLinks(next.pdfLinks);
+      const added = after.filter((link) => !before.includes(link));
+      const removed = before.filter((link) => !after.includes(link));
+
+      if (added.length > 0 || removed.length > 0) {
+        changes.push({ field, before, after, added, removed });
+      }
+      continue;
+    }
+
+    const before = normalizeText(previous[field]);
+    const after = normalizeText(next[field]);
+    if (before !== after) {
+      changes.push({ field, before, after });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Add a scraped snapshot to an event's history. Returns the new version,
+ * or null when nothing tracked changed since the latest one.
+ */
+export function recordSnapshot(
+  history: EventVersion[],
+  snapshot: EventSnapshot,
+  scrapedAt: Date = new Date(),
+): EventVersion | null {
+  const latest = history.length > 0 ? history[history.length - 1] : null;
+
+  if (latest && latest.portalId !== snapshot.portalId) {
+    throw new Error(`Snapshot for ${snapshot.portalId} does not belong to the history of ${latest.portalId}`);
+  }
+
+  const changes = latest ? diffEvents(latest.snapshot, snapshot) : [];
+  if (latest && changes.length === 0) return null;
+
+  return {
+    portalId: snapshot.portalId,
+    version: latest ? latest.version + 1 : 1,
+    scrapedAt: scrapedAt.toISOString(),
+    snapshot,
+    changes,
+  };
+}
+
+function formatValue(value: string | string[] | null): string {
+  if (value === null) return "none";
+  return Array.isArray(value) ? value.join(", ") || "none" : value;
+}
+
+/**
+ * One line per change, for notification bodies.
+ */
+export function describeChanges(changes: FieldChange[]): string[] {
+  return changes.flatMap((change) => {
+    const label = FIELD_LABELS[change.field];
+
+    if (change.field === "pdfLinks") {
+      return [
+        ...(change.added ?? []).map((link) => `${label}: added ${link}`),
+        ...(change.removed ?? []).map((link) => `${label}: removed ${link}`),
+      ];
+    }
+
+    return [`${label} changed from ${formatValue(change.before)} to ${formatValue(change.after)}`];
+  });
+}
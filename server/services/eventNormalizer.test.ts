@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyLabel, normalizeEvent, normalizeEvents, UNCATEGORIZED } from "./eventNormalizer";
+
+test("two-segment descriptions split into category, sub-category and a clean title", () => {
+  const event = normalizeEvent({
+    title: "CULTURAL FINE ARTS - Painting Competition",
+    description: "CULTURAL FINE ARTS|Painting Competition for all age groups",
+  });
+
+  assert.equal(event.title, "Painting Competition");
+  assert.equal(event.category, "cultural");
+  assert.equal(event.subCategory, "Fine Arts");
+  assert.equal(event.metadata?.portalCategory, "CULTURAL FINE ARTS");
+  assert.equal(event.metadata?.rawTitle, "CULTURAL FINE ARTS - Painting Competition");
+});
+
+test("three-segment descriptions take the sub-category from the second segment", () => {
+  const event = normalizeEvent({
+    title: "SPORTS | Football | Inter-house tournament",
+    description: "SPORTS|Football|Inter-house tournament for grades 6-12",
+  });
+
+  assert.equal(event.title, "Inter-house tournament");
+  assert.equal(event.category, "sports");
+  assert.equal(event.subCategory, "Football");
+});
+
+test("alias-only labels have no sub-category", () => {
+  assert.deepEqual(classifyLabel("GAMES & SPORTS"), { category: "sports", subCategory: null });
+  assert.deepEqual(classifyLabel("CULTURAL"), { category: "cultural", subCategory: null });
+
+  const event = normalizeEvent({ title: "Sports Day", description: "SPORTS|SPORT|Annual sports day" });
+  assert.equal(event.subCategory, null);
+});
+
+test("matched keywords stay in the sub-category", () => {
+  assert.deepEqual(classifyLabel("ROBOTICS CLUB"), { category: "technology", subCategory: "Robotics Club" });
+  assert.deepEqual(classifyLabel("SCIENCE CLUB"), { category: "academic", subCategory: "Science Club" });
+  assert.deepEqual(classifyLabel("MUSIC AND DANCE"), { category: "cultural", subCategory: "Music And Dance" });
+  assert.deepEqual(classifyLabel("FOOTBALL"), { category: "sports", subCategory: "Football" });
+  assert.deepEqual(classifyLabel("SPORTS - ATHLETICS"), { category: "sports", subCategory: "Athletics" });
+});
+
+test("a title that is only the label is rebuilt from the description", () => {
+  const event = normalizeEvent({
+    title: "CULTURAL FINE ARTS",
+    description: "CULTURAL FINE ARTS|Painting Competition for all age groups",
+  });
+
+  assert.equal(event.title, "Painting Competition for all age groups");
+});
+
+test("unknown labels are uncategorized and reported once", () => {
+  const { events, unknownCategories } = normalizeEvents([
+    { title: "House Meeting", description: "HOUSE EVENTS|House captains meeting" },
+    { title: "House Quiz Night", description: "HOUSE EVENTS|Quiz night" },
+    { title: "Annual Day", description: "Annual day celebrations", category: "Celebrations" },
+    { title: "Painting Competition", description: "CULTURAL FINE ARTS|Painting Competition" },
+  ]);
+
+  assert.deepEqual(events.map((event) => event.category), [UNCATEGORIZED, UNCATEGORIZED, UNCATEGORIZED, "cultural"]);
+  assert.equal(events[0].subCategory, null);
+  assert.equal(events[0].metadata?.unmappedCategory, "HOUSE EVENTS");
+  assert.deepEqual(unknownCategories, ["Celebrations", "HOUSE EVENTS"]);
+});
@@ -0,0 +1,202 @@
+/**
+ * Normalisation stage that runs on the output of scrapeEvents().
+ *
+ * The portal packs the category into the description as
+ * "CULTURAL FINE ARTS|Painting Competition for all age groups" and repeats
+ * it as a title prefix ("CULTURAL FINE ARTS - Painting Competition").
+ * This splits that format into category, sub-category and a clean title.
+ */
+
+export const UNCATEGORIZED = "uncategorized";
+
+// Canonical categories. Aliases only name the category itself ("GAMES &
+// SPORTS"); keywords are disciplines within it and double as sub-categories.
+export const CATEGORY_TAXONOMY: Record<string, { aliases: string[]; keywords: string[] }> = {
+  cultural: { aliases: ["CULTURAL", "CULTURE"], keywords: ["FINE ARTS", "MUSIC", "DANCE", "DRAMA", "THEATRE"] },
+  literary: { aliases: ["LITERARY", "LITERATURE"], keywords: ["DEBATE", "ELOCUTION", "QUIZ", "WRITING"] },
+  sports: { aliases: ["SPORTS", "SPORT", "GAMES"], keywords: ["ATHLETICS", "FOOTBALL", "CRICKET", "SWIMMING"] },
+  academic: { aliases: ["ACADEMIC", "ACADEMICS"], keywords: ["OLYMPIAD", "MATHEMATICS", "MATHS", "SCIENCE"] },
+  technology: { aliases: ["TECHNOLOGY", "TECH"], keywords: ["ROBOTICS", "CODING", "COMPUTER", "STEM"] },
+  community: { aliases: ["COMMUNITY"], keywords: ["SOCIAL", "SERVICE", "ENVIRONMENT", "CLUB"] },
+};
+
+export interface ScrapedEvent {
+  title: string;
+  description: string;
+  category?: string | null;
+  metadata?: Record<string, unknown>;
+  [key: string]: unknown;
+}
+
+export interface NormalizedEvent extends ScrapedEvent {
+  category: string;
+  subCategory: string | null;
+}
+
+export interface ParsedDescription {
+  label: string | null;
+  // Every leading segment that names the category, e.g. ["SPORTS", "Football"]
+  labelSegments: string[];
+  category: string | null;
+  subCategory: string | null;
+  details: string;
+}
+
+export interface NormalizationResult {
+  events: NormalizedEvent[];
+  // Portal labels that did not map onto the taxonomy, for manual review
+  unknownCategories: string[];
+}
+
+function toTitleCase(text: string): string {
+  return text
+    .toLowerCase()
+    .replace(/\b([a-z])/g, (letter) => letter.toUpperCase());
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function containsWord(text: string, word: string): RegExpExecArray | null {
+  return new RegExp(`\\b${escapeRegExp(word)}\\b`).exec(text);
+}
+
+function isAliasOf(category: string, text: string): boolean {
+  return CATEGORY_TAXONOMY[category].aliases.includes(text.toUpperCase().trim());
+}
+
+/**
+ * Map a portal label such as "CULTURAL FINE ARTS" onto a canonical category.
+ * The term matched first (by position in the label) wins; what is left once
+ * the category's own aliases and any dangling "AND"/"&" are removed becomes
+ * the sub-category, so "GAMES & SPORTS" has none while "CULTURAL FINE ARTS"
+ * gets "Fine Arts".
+ */
+export function classifyLabel(label: string): { category: string | null; subCategory: string | null } {
+  const upper = label.toUpperCase().replace(/\s+/g, " ").trim();
+  let best: { category: string; term: string; index: number } | null = null;
+
+  for (const [category, { aliases, keywords }] of Object.entries(CATEGORY_TAXONOMY)) {
+    for (const term of [...aliases, ...keywords]) {
+      const match = containsWord(upper, term);
+      if (!match) continue;
+      if (
+        !best ||
+        match.index < best.index ||
+        (match.index === best.index && term.length > best.term.length)
+      ) {
+        best = { category, term, index: match.index };
+      }
+    }
+  }
+
+  if (!best) {
+    return { category: null, subCategory: upper ? toTitleCase(upper) : null };
+  }
+
+  // Only the category's own name is dropped; the matched discipline stays, so
+  // "ROBOTICS CLUB" keeps "Robotics Club" and "MUSIC AND DANCE" its "And"
+  let remainder = upper;
+  for (const alias of CATEGORY_TAXONOMY[best.category].aliases) {
+    remainder = remainder.replace(new RegExp(`\\b${escapeRegExp(alias)}\\b`, "g"), " ");
+  }
+  remainder = remainder
+    .replace(/\s+/g, " ")
+    .replace(/^(?:[\s\-:/&,]|\b(?:AND|OF)\b)+|(?:[\s\-:/&,]|\b(?:AND|OF)\b)+$/g, "");
+
+  return { category: best.category, subCategory: remainder ? toTitleCase(remainder) : null };
+}
+
+/**
+ * Split the portal's pipe-delimited description. Descriptions without a
+ * delimiter are returned untouched with no label.
+ */
+export function parseDescription(description: string): ParsedDescription {
+  const parts = description.split("|").map((part) => part.trim());
+
+  if (parts.length < 2 || !parts[0]) {
+    return { label: null, labelSegments: [], category: null, subCategory: null, details: description.trim() };
+  }
+
+  const label = parts[0];
+  const { category, subCategory: labelSubCategory } = classifyLabel(label);
+
+  // "SPORTS|Football|Inter-house tournament" carries the sub-category as its own segment
+  const labelSegments = parts.slice(0, parts.length > 2 ? 2 : 1);
+  const segmentSubCategory = labelSegments[1] && !(category && isAliasOf(category, labelSegments[1]))
+    ? labelSegments[1]
+    : null;
+
+  return {
+    label,
+    labelSegments,
+    category,
+    subCategory: segmentSubCategory ?? labelSubCategory,
+    details: parts.slice(labelSegments.length).join(" | "),
+  };
+}
+
+/**
+ * Remove the repeated label segments from the front of a scraped title,
+ * e.g. "CULTURAL FINE ARTS - Painting Competition" -> "Painting Competition"
+ * or "SPORTS | Football | Inter-house" -> "Inter-house". Returns an empty
+ * string when the title is nothing but the label.
+ */
+export function cleanTitle(title: string, labelSegments: string[]): string {
+  let cleaned = title.trim();
+
+  for (const segment of labelSegments) {
+    const prefix = new RegExp(`^${escapeRegExp(segment)}(?:\\s*[-:|–]\\s*|\\s*$)`, "i");
+    cleaned = cleaned.replace(prefix, "").trim();
+  }
+
+  return cleaned;
+}
+
+export function normalizeEvent(event: ScrapedEvent): NormalizedEvent {
+  const parsed = parseDescription(event.description ?? "");
+
+  // Without a portal label, the scraper's own guess still has to map onto the taxonomy
+  const sourceLabel = parsed.label ?? (event.category || null);
+  const classified = parsed.label
+    ? { category: parsed.category, subCategory: parsed.subCategory }
+    : sourceLabel
+      ? classifyLabel(sourceLabel)
+      : { category: null, subCategory: null };
+
+  // A title that only repeated the label is rebuilt from the description text
+  const title = cleanTitle(event.title ?? "", parsed.labelSegments) || parsed.details || (event.title ?? "").trim();
+
+  return {
+    ...event,
+    title,
+    category: classified.category ?? UNCATEGORIZED,
+    subCategory: classified.category ? classified.subCategory : null,
+    metadata: {
+      ...event.metadata,
+      rawTitle: event.title,
+      rawCategory: event.category ?? null,
+      portalCategory: parsed.label,
+      // Set when the label matched nothing in CATEGORY_TAXONOMY
+      unmappedCategory: classified.category ? null : sourceLabel,
+    },
+  };
+}
+
+export function normalizeEvents(events: ScrapedEvent[]): NormalizationResult {
+  const unknown = new Set<string>();
+
+  const normalized = events.map((event) => {
+    const result = normalizeEvent(event);
+    const unmapped = result.metadata?.unmappedCategory;
+
+    if (typeof unmapped === "string") {
+      unknown.add(unmapped);
+    }
+
+    return result;
+  });
+
+  return { events: normalized, unknownCategories: Array.from(unknown).sort() };
+}
@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, parseEventImport, planImport, serializeEvents } from "./eventTransfer";
+
+const football = {
+  portalId: "dps-sample-003",
+  title: "Football Tournament",
+  description: 'SPORTS|Inter-house "Football", all houses',
+  eventDate: "2024-06-22",
+  endDate: "2024-06-28",
+  deadline: "2024-06-20",
+  venue: "DPS Sports Ground",
+  status: "open" as const,
+  category: "sports",
+  pdfLinks: [
+    "https://www.msdpssharjah.com/documents/sports_tournament_schedule.pdf",
+    "https://www.msdpssharjah.com/documents/medical_clearance_form.pdf",
+  ],
+};
+
+test("CSV export quotes cells and round-trips through import", () => {
+  const csv = serializeEvents([football], "csv");
+
+  assert.ok(csv.startsWith("portalId,title,description,eventDate,endDate,deadline,venue,status,category,pdfLinks\r\n"));
+  assert.ok(csv.includes('"SPORTS|Inter-house ""Football"", all houses"'));
+
+  const result = parseEventImport(csv, "csv");
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.events, [football]);
+});
+
+test("JSON export round-trips through import", () => {
+  const result = parseEventImport(serializeEvents([football], "json"), "json");
+
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.events, [football]);
+});
+
+test("CSV parser handles quoted newlines, CRLF and a BOM", () => {
+  assert.deepEqual(parseCsv('﻿a,b\r\n"x\ny",""""\r\n\r\n'), [["a", "b"], ["x\ny", '"']]);
+  assert.throws(() => parseCsv('a,"b'), /Unterminated/);
+});
+
+test("every invalid row is reported with its row number and field", () => {
+  const csv = [
+    "portalId,title,eventDate,status,pdfLinks",
+    "dps-1,Painting,2024-06-15,open,",
+    ",Missing id,2024-06-15,open,",
+    "dps-3,Bad date,someday,open,",
+    "dps-4,Bad status,2024-06-15,pending,",
+    "dps-5,Bad link,2024-06-15,open,not-a-url",
+    "dps-1,Duplicate,2024-06-15,open,",
+  ].join("\n");
+
+  const result = parseEventImport(csv, "csv");
+
+  assert.equal(result.totalRows, 6);
+  assert.deepEqual(result.events.map((event) => event.portalId), ["dps-1"]);
+  assert.deepEqual(result.errors, [
+    { row: 3, field: "portalId", message: "portalId is required" },
+    { row: 4, field: "eventDate", message: "Unrecognised date" },
+    { row: 5, field: "status", message: "status must be one of open, closed, upcoming" },
+    { row: 6, field: "pdfLinks.0", message: "Invalid PDF link" },
+    { row: 7, field: "portalId", message: "Duplicate portalId, already used in row 2" },
+  ]);
+});
+
+test("file-level problems are reported as row 0", () => {
+  assert.deepEqual(parseEventImport("portalId,title,colour\n", "csv").errors, [
+    { row: 0, field: null, message: "Unknown columns: colour" },
+  ]);
+  assert.deepEqual(parseEventImport("portalId,title\n", "csv").errors, [
+    { row: 0, field: null, message: "Missing required columns: status" },
+  ]);
+  assert.equal(parseEventImport("{", "json").errors[0].row, 0);
+  assert.deepEqual(parseEventImport('{"events": []}', "json").errors, [
+    { row: 0, field: null, message: "JSON import must be an array of events" },
+  ]);
+});
+
+test("planImport upserts by portalId and skips unchanged rows", () => {
+  const stored = [
+    { ...football },
+    { ...football, portalId: "dps-sample-001", title: "Painting Competition", venue: "DPS Art Studio" },
+  ];
+  const imported = parseEventImport(
+    serializeEvents([football, { ...stored[1], venue: "DPS Auditorium" }, { ...football, portalId: "dps-new" }], "json"),
+    "json",
+  ).events;
+
+  const plan = planImport(stored, imported);
+
+  assert.deepEqual(plan.unchanged.map((event) => event.portalId), ["dps-sample-003"]);
+  assert.deepEqual(plan.update.map(({ event }) => [event.portalId, event.venue]), [["dps-sample-001", "DPS Auditorium"]]);
+  assert.equal(plan.update[0].existing, stored[1]);
+  assert.deepEqual(plan.create.map((event) => event.portalId), ["dps-new"]);
+});
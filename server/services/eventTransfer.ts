@@ -0,0 +1,288 @@
+/**
+ * Bulk CSV/JSON export and import of events.
+ *
+ * Exports and imports share one column set, so an exported file can be
+ * edited and re-imported. Every imported row is validated on its own and
+ * errors are reported per row; valid rows are matched to stored events by
+ * portalId so re-importing the same file is safe.
+ */
+
+import { z } from "zod";
+import { parsePortalDate } from "../utils/timezone";
+
+export const EVENT_TRANSFER_FIELDS = [
+  "portalId",
+  "title",
+  "description",
+  "eventDate",
+  "endDate",
+  "deadline",
+  "venue",
+  "status",
+  "category",
+  "pdfLinks",
+] as const;
+
+export type TransferField = (typeof EVENT_TRANSFER_FIELDS)[number];
+
+export type TransferFormat = "csv" | "json";
+
+export const TRANSFER_CONTENT_TYPES: Record<TransferFormat, string> = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json; charset=utf-8",
+};
+
+export const EVENT_STATUSES = ["open", "closed", "upcoming"] as const;
+
+const REQUIRED_COLUMNS: TransferField[] = ["portalId", "title", "status"];
+
+const optionalText = z
+  .string()
+  .nullish()
+  .transform((value) => value?.trim() || null);
+
+const optionalDate = optionalText.refine((value) => value === null || parsePortalDate(value) !== null, {
+  message: "Unrecognised date",
+});
+
+export const importedEventSchema = z.object({
+  portalId: z.string({ required_error: "portalId is required" }).trim().min(1, "portalId is required"),
+  title: z.string({ required_error: "title is required" }).trim().min(1, "title is required"),
+  description: optionalText,
+  eventDate: optionalDate,
+  endDate: optionalDate,
+  deadline: optionalDate,
+  venue: optionalText,
+  status: z.enum(EVENT_STATUSES, {
+    errorMap: () => ({ message: `status must be one of ${EVENT_STATUSES.join(", ")}` }),
+  }),
+  category: optionalText,
+  pdfLinks: z.array(z.string().trim().url("Invalid PDF link")).default([]),
+});
+
+export type ImportedEvent = z.infer<typeof importedEventSchema>;
+
+export type TransferEvent = Partial<Record<TransferField, unknown>> & { portalId: string };
+
+export interface ImportRowError {
+  // CSV: spreadsheet row (the header is row 1). JSON: 1-based array index. 0 for file-level errors.
+  row: number;
+  field: string | null;
+  message: string;
+}
+
+export interface ImportResult {
+  events: ImportedEvent[];
+  errors: ImportRowError[];
+  totalRows: number;
+}
+
+export interface ImportPlan<T> {
+  create: ImportedEvent[];
+  update: Array<{ existing: T; event: ImportedEvent }>;
+  unchanged: ImportedEvent[];
+}
+
+export function parseTransferFormat(value: unknown): TransferFormat | null {
+  return value === "csv" || value === "json" ? value : null;
+}
+
+export function exportFileName(format: TransferFormat, now: Date = new Date()): string {
+  return `dps-events-${now.toISOString().slice(0, 10)}.${format}`;
+}
+
+function cellValue(value: unknown): string {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.map(String).join(" ");
+  return String(value);
+}
+
+function quoteCell(text: string): string {
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function pickFields(event: TransferEvent): Record<TransferField, unknown> {
+  return Object.fromEntries(
+    EVENT_TRANSFER_FIELDS.map((field) => [field, field === "pdfLinks" ? event.pdfLinks ?? [] : event[field] ?? null]),
+  ) as Record<TransferField, unknown>;
+}
+
+export function serializeEvents(events: TransferEvent[], format: TransferFormat): string {
+  if (format === "json") {
+    return JSON.stringify(events.map(pickFields), null, 2);
+  }
+
+  const lines = [
+    EVENT_TRANSFER_FIELDS.join(","),
+    ...events.map((event) => EVENT_TRANSFER_FIELDS.map((field) => quoteCell(cellValue(event[field]))).join(",")),
+  ];
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * RFC 4180 CSV: quoted cells may contain commas, quotes ("") and newlines.
+ */
+export function parseCsv(text: string): string[][] {
+  const records: string[][] = [];
+  let record: string[] = [];
+  let cell = "";
+  let quoted = false;
+  const input = text.replace(/^﻿/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("Unterminated quoted cell");
+  }
+  if (cell !== "" || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  // Blank lines (typically a trailing newline) carry no data
+  return records.filter((row) => row.some((value) => value.trim() !== ""));
+}
+
+function validateRows(rows: Array<{ row: number; data: unknown }>): ImportResult {
+  const events: ImportedEvent[] = [];
+  const errors: ImportRowError[] = [];
+  const seen = new Map<string, number>();
+
+  for (const { row, data } of rows) {
+    const parsed = importedEventSchema.safeParse(data);
+
+    if (!parsed.success) {
+      for (const issue of parsed.error.issues) {
+        errors.push({ row, field: issue.path.length > 0 ? issue.path.join(".") : null, message: issue.message });
+      }
+      continue;
+    }
+
+    const firstRow = seen.get(parsed.data.portalId);
+    if (firstRow !== undefined) {
+      errors.push({ row, field: "portalId", message: `Duplicate portalId, already used in row ${firstRow}` });
+      continue;
+    }
+
+    seen.set(parsed.data.portalId, row);
+    events.push(parsed.data);
+  }
+
+  return { events, errors, totalRows: rows.length };
+}
+
+function fileError(message: string): ImportResult {
+  return { events: [], errors: [{ row: 0, field: null, message }], totalRows: 0 };
+}
+
+function parseCsvImport(content: string): ImportResult {
+  let records: string[][];
+  try {
+    records = parseCsv(content);
+  } catch (error) {
+    return fileError(`Invalid CSV: ${(error as Error).message}`);
+  }
+
+  if (records.length === 0) return fileError("CSV file is empty");
+
+  const header = records[0].map((name) => name.trim());
+  const unknown = header.filter((name) => !(EVENT_TRANSFER_FIELDS as readonly string[]).includes(name));
+  const missing = REQUIRED_COLUMNS.filter((name) => !header.includes(name));
+
+  if (unknown.length > 0) return fileError(`Unknown columns: ${unknown.join(", ")}`);
+  if (missing.length > 0) return fileError(`Missing required columns: ${missing.join(", ")}`);
+
+  return validateRows(
+    records.slice(1).map((values, index) => ({
+      row: index + 2,
+      data: Object.fromEntries(
+        header.map((name, column) => {
+          const value = values[column] ?? "";
+          return [name, name === "pdfLinks" ? value.split(/\s+/).filter(Boolean) : value];
+        }),
+      ),
+    })),
+  );
+}
+
+function parseJsonImport(content: string): ImportResult {
+  let data: unknown;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    return fileError(`Invalid JSON: ${(error as Error).message}`);
+  }
+
+  if (!Array.isArray(data)) return fileError("JSON import must be an array of events");
+
+  return validateRows(
+    data.map((item, index) => ({
+      row: index + 1,
+      // Accept a whitespace-separated string of links as in the CSV format
+      data:
+        item && typeof item === "object" && typeof item.pdfLinks === "string"
+          ? { ...item, pdfLinks: item.pdfLinks.split(/\s+/).filter(Boolean) }
+          : item,
+    })),
+  );
+}
+
+export function parseEventImport(content: string, format: TransferFormat): ImportResult {
+  return format === "csv" ? parseCsvImport(content) : parseJsonImport(content);
+}
+
+function sameValue(a: unknown, b: unknown): boolean {
+  return cellValue(a).trim() === cellValue(b).trim();
+}
+
+/**
+ * Split validated rows into creates, updates and no-ops against the stored
+ * events, matching on portalId.
+ */
+export function planImport<T extends TransferEvent>(existing: T[], events: ImportedEvent[]): ImportPlan<T> {
+  const byPortalId = new Map(existing.map((event) => [event.portalId, event]));
+  const plan: ImportPlan<T> = { create: [], update: [], unchanged: [] };
+
+  for (const event of events) {
+    const stored = byPortalId.get(event.portalId);
+
+    if (!stored) {
+      plan.create.push(event);
+    } else if (EVENT_TRANSFER_FIELDS.every((field) => sameValue(stored[field], event[field]))) {
+      plan.unchanged.push(event);
+    } else {
+      plan.update.push({ existing: stored, event });
+    }
+  }
+
+  return plan;
+}
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateRules, notificationRulesSchema, previewRules } from "./notificationRules";
+
+const now = new Date("2024-06-01T08:00:00Z");
+
+const football = { title: "Inter-House Football Tournament", category: "sports", eventDate: "2024-06-22", deadline: "2024-06-20" };
+const debate = { title: "Debate Championship", category: "literary", eventDate: "2024-06-10", deadline: "2024-05-25" };
+const audition = { title: "Choir Auditions", category: "cultural", eventDate: "2024-06-18", deadline: "2024-06-12" };
+
+function rules(input: unknown) {
+  return notificationRulesSchema.parse(input);
+}
+
+test("no rules delivers everything", () => {
+  assert.deepEqual(evaluateRules(football, [], now), { deliver: true, reasons: [] });
+});
+
+test("include rules: OR within a criterion, AND across rules", () => {
+  const sportsOrLiterary = rules([{ type: "include", categories: ["Sports", "literary"] }]);
+  assert.equal(evaluateRules(football, sportsOrLiterary, now).deliver, true);
+  assert.equal(evaluateRules(debate, sportsOrLiterary, now).deliver, true);
+  assert.equal(evaluateRules(audition, sportsOrLiterary, now).deliver, false);
+
+  const openSportsOrLiterary = rules([
+    { type: "include", categories: ["sports", "literary"] },
+    { type: "include", statuses: ["open"] },
+  ]);
+  assert.equal(evaluateRules(football, openSportsOrLiterary, now).deliver, true);
+  assert.deepEqual(evaluateRules(debate, openSportsOrLiterary, now), {
+    deliver: false,
+    reasons: ["Matches category sports/literary", "Does not match status open"],
+  });
+});
+
+test("status is recomputed from the dates, not taken from the scraped label", () => {
+  const onlyOpen = rules([{ type: "include", statuses: ["open"] }]);
+  assert.equal(evaluateRules({ ...debate, status: "open" }, onlyOpen, now).deliver, false);
+  assert.equal(evaluateRules({ title: "Undated", status: "open" }, onlyOpen, now).deliver, true);
+});
+
+test("keywords match titles case-insensitively", () => {
+  const auditions = rules([{ type: "include", keywords: ["AUDITION"] }]);
+  assert.equal(evaluateRules(audition, auditions, now).deliver, true);
+  assert.equal(evaluateRules(football, auditions, now).deliver, false);
+});
+
+test("mutes apply through the end of their until day in Dubai", () => {
+  const muteCultural = rules([{ type: "mute", categories: ["cultural"], until: "2024-06-15" }]);
+
+  assert.deepEqual(evaluateRules(audition, muteCultural, now), {
+    deliver: false,
+    reasons: ["Muted: category cultural until 15 Jun 2024"],
+  });
+  assert.equal(evaluateRules(audition, muteCultural, new Date("2024-06-15T19:59:59Z")).deliver, false);
+  assert.equal(evaluateRules(audition, muteCultural, new Date("2024-06-15T20:00:00Z")).deliver, true);
+  assert.equal(evaluateRules(football, muteCultural, now).deliver, true);
+});
+
+test("rule sets are validated", () => {
+  assert.equal(notificationRulesSchema.safeParse([{ type: "include" }]).success, false);
+  assert.equal(notificationRulesSchema.safeParse([{ type: "include", statuses: ["pending"] }]).success, false);
+  assert.equal(notificationRulesSchema.safeParse([{ type: "mute", categories: ["sports"], until: "someday" }]).success, false);
+  assert.equal(notificationRulesSchema.safeParse([{ type: "include", categories: ["sports"], until: "2024-06-15" }]).success, false);
+});
+
+test("previewRules splits events into matched and suppressed with reasons", () => {
+  const preview = previewRules(
+    [football, debate, audition],
+    rules([
+      { type: "include", statuses: ["open"] },
+      { type: "mute", categories: ["cultural"] },
+    ]),
+    now,
+  );
+
+  assert.deepEqual(preview.matched, [football]);
+  assert.deepEqual(preview.suppressed, [
+    { event: debate, reasons: ["Does not match status open"] },
+    { event: audition, reasons: ["Muted: category cultural"] },
+  ]);
+});
@@ -0,0 +1,141 @@
+/**
+ * Per-subscriber notification rules, evaluated against each scraped event
+ * before it is handed to any channel.
+ *
+ * An "include" rule narrows what is delivered ("only sports and literary",
+ * "only open events", "only titles matching audition"); when a subscriber
+ * has several, an event must satisfy all of them. A "mute" rule suppresses
+ * matching events, optionally only until a date ("mute cultural until
+ * 1 June"). Within a rule, every criterion that is set must match, and a
+ * criterion matches when any of its values does.
+ */
+
+import { z } from "zod";
+import {
+  computeEventStatus,
+  endOfPortalDate,
+  formatInDubai,
+  parsePortalDate,
+  type EventDateFields,
+} from "../utils/timezone";
+import { EVENT_STATUSES } from "./eventTransfer";
+
+const terms = z.array(z.string().trim().min(1)).default([]);
+
+export const notificationRuleSchema = z
+  .object({
+    type: z.enum(["include", "mute"]),
+    categories: terms.transform((values) => values.map((value) => value.toLowerCase())),
+    statuses: z.array(z.enum(EVENT_STATUSES)).default([]),
+    keywords: terms,
+    until: z
+      .string()
+      .trim()
+      .refine((value) => parsePortalDate(value) !== null, { message: "Unrecognised date" })
+      .nullish(),
+  })
+  .refine((rule) => rule.categories.length + rule.statuses.length + rule.keywords.length > 0, {
+    message: "A rule needs at least one category, status or keyword",
+  })
+  .refine((rule) => rule.type === "mute" || !rule.until, {
+    message: "Only mute rules can have an end date",
+    path: ["until"],
+  });
+
+export const notificationRulesSchema = z.array(notificationRuleSchema);
+
+export type NotificationRule = z.infer<typeof notificationRuleSchema>;
+
+export interface RuleEvent extends EventDateFields {
+  title: string;
+  category?: string | null;
+}
+
+export interface RuleEvaluation {
+  deliver: boolean;
+  reasons: string[];
+}
+
+export interface RulePreview<T> {
+  matched: T[];
+  suppressed: Array<{ event: T; reasons: string[] }>;
+}
+
+function describeRule(rule: NotificationRule): string {
+  const parts = [
+    rule.categories.length > 0 ? `category ${rule.categories.join("/")}` : null,
+    rule.statuses.length > 0 ? `status ${rule.statuses.join("/")}` : null,
+    rule.keywords.length > 0 ? `title matching ${rule.keywords.map((keyword) => `"${keyword}"`).join("/")}` : null,
+  ];
+  return parts.filter(Boolean).join(", ");
+}
+
+function ruleMatches(rule: NotificationRule, event: RuleEvent, status: string | null): boolean {
+  const category = event.category?.trim().toLowerCase() ?? "";
+  const title = event.title.toLowerCase();
+
+  if (rule.categories.length > 0 && !rule.categories.includes(category)) return false;
+  if (rule.statuses.length > 0 && !rule.statuses.some((value) => value === status)) return false;
+  if (rule.keywords.length > 0 && !rule.keywords.some((keyword) => title.includes(keyword.toLowerCase()))) {
+    return false;
+  }
+  return true;
+}
+
+// A mute is in force through the end of its `until` day in Dubai; no date mutes indefinitely
+function muteActive(rule: NotificationRule, now: Date): boolean {
+  if (!rule.until) return true;
+  const until = parsePortalDate(rule.until, { reference: now });
+  return until !== null && now <= endOfPortalDate(until);
+}
+
+/**
+ * Decide whether a subscriber should be notified about an event. Status
+ * is recomputed from the event's dates so "open" means open at `now`,
+ * falling back to the scraped status when no date parses. With no rules,
+ * everything is delivered.
+ */
+export function evaluateRules(event: RuleEvent, rules: NotificationRule[], now: Date = new Date()): RuleEvaluation {
+  const status = computeEventStatus(event, now) ?? event.status ?? null;
+  const reasons: string[] = [];
+  let deliver = true;
+
+  for (const rule of rules) {
+    if (rule.type === "include") {
+      if (ruleMatches(rule, event, status)) {
+        reasons.push(`Matches ${describeRule(rule)}`);
+      } else {
+        deliver = false;
+        reasons.push(`Does not match ${describeRule(rule)}`);
+      }
+    } else if (muteActive(rule, now) && ruleMatches(rule, event, status)) {
+      deliver = false;
+      const until = rule.until ? parsePortalDate(rule.until, { reference: now }) : null;
+      reasons.push(`Muted: ${describeRule(rule)}${until ? ` until ${formatInDubai(until.utc, until.hasTime)}` : ""}`);
+    }
+  }
+
+  return { deliver, reasons };
+}
+
+/**
+ * Show which of the given events a rule set would deliver or suppress.
+ */
+export function previewRules<T extends RuleEvent>(
+  events: T[],
+  rules: NotificationRule[],
+  now: Date = new Date(),
+): RulePreview<T> {
+  const preview: RulePreview<T> = { matched: [], suppressed: [] };
+
+  for (const event of events) {
+    const { deliver, reasons } = evaluateRules(event, rules, now);
+    if (deliver) {
+      preview.matched.push(event);
+    } else {
+      preview.suppressed.push({ event, reasons: reasons.filter((reason) => !reason.startsWith("Matches ")) });
+    }
+  }
+
+  return preview;
+}
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import {
+  MissingCredentialsError,
+  createRedactor,
+  decryptCredentials,
+  encryptCredentials,
+  envCredentialProvider,
+  fileCredentialProvider,
+  resolvePortalCredentials,
+} from "./credentials";
+
+const secret = { username: "S00001", password: "hunter2-S00001" };
+
+test("env provider reads DPS_USERNAME/DPS_PASSWORD and needs both", async () => {
+  assert.deepEqual(
+    await envCredentialProvider({ DPS_USERNAME: "S00001", DPS_PASSWORD: "pw" })(),
+    { username: "S00001", password: "pw", source: "env" },
+  );
+  assert.equal(await envCredentialProvider({ DPS_USERNAME: "S00001" })(), null);
+});
+
+test("encrypted file round-trips and rejects the wrong key", () => {
+  const contents = encryptCredentials(secret, "correct horse");
+
+  assert.ok(!contents.includes(secret.password));
+  assert.deepEqual(decryptCredentials(contents, "correct horse"), secret);
+  assert.throws(() => decryptCredentials(contents, "wrong"), /Could not decrypt/);
+});
+
+test("providers are tried in order and a missing file is skipped", async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), "dps-credentials-"));
+  try {
+    const file = path.join(dir, "credentials.json");
+    await writeFile(file, encryptCredentials(secret, "key"));
+
+    const fromFile = await resolvePortalCredentials([
+      envCredentialProvider({}),
+      fileCredentialProvider(path.join(dir, "missing.json"), "key"),
+      fileCredentialProvider(file, "key"),
+    ]);
+    assert.equal(fromFile.username, secret.username);
+    assert.equal(fromFile.source, `file:${file}`);
+
+    const fromEnv = await resolvePortalCredentials([
+      envCredentialProvider({ DPS_USERNAME: "env-user", DPS_PASSWORD: "env-pw" }),
+      fileCredentialProvider(file, "key"),
+    ]);
+    assert.equal(fromEnv.source, "env");
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("resolving with no credentials throws MissingCredentialsError", async () => {
+  await assert.rejects(
+    resolvePortalCredentials([envCredentialProvider({}), fileCredentialProvider(undefined, undefined)]),
+    MissingCredentialsError,
+  );
+});
+
+test("redactor masks secrets in nested loginData", () => {
+  const redact = createRedactor([secret.username, secret.password, undefined, ""]);
+
+  assert.deepEqual(
+    redact({
+      afterLogin: "https://www.msdpssharjah.com/Dashboard?user=S00001",
+      titleAfterLogin: "Welcome S00001",
+      fields: ["hunter2-S00001", 42],
+    }),
+    {
+      afterLogin: "https://www.msdpssharjah.com/Dashboard?user=***",
+      titleAfterLogin: "Welcome ***",
+      fields: ["***", 42],
+    },
+  );
+});
@@ -0,0 +1,162 @@
+/**
+ * Portal credential providers and log redaction.
+ *
+ * Credentials are never hard-coded: they come from DPS_USERNAME/DPS_PASSWORD
+ * or, failing that, from a local file encrypted with DPS_CREDENTIALS_KEY.
+ * Anything that prints portal output should pass it through a redactor
+ * built from the resolved credentials first.
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from "node:crypto";
+import { readFile } from "node:fs/promises";
+
+export const REDACTED = "***";
+
+export interface PortalCredentials {
+  username: string;
+  password: string;
+  // Which provider supplied them, safe to log
+  source: string;
+}
+
+export type CredentialProvider = () => Promise<PortalCredentials | null>;
+
+export class MissingCredentialsError extends Error {
+  constructor(message = "No portal credentials found: set DPS_USERNAME and DPS_PASSWORD, or DPS_CREDENTIALS_FILE and DPS_CREDENTIALS_KEY") {
+    super(message);
+    this.name = "MissingCredentialsError";
+  }
+}
+
+interface EncryptedCredentialsFile {
+  version: 1;
+  salt: string;
+  iv: string;
+  tag: string;
+  data: string;
+}
+
+function deriveKey(passphrase: string, salt: Buffer): Buffer {
+  return scryptSync(passphrase, salt, 32);
+}
+
+/**
+ * Produce the contents of an encrypted credentials file (AES-256-GCM, key
+ * derived from the passphrase with scrypt).
+ */
+export function encryptCredentials(credentials: { username: string; password: string }, passphrase: string): string {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify({ username: credentials.username, password: credentials.password }), "utf8"),
+    cipher.final(),
+  ]);
+
+  const file: EncryptedCredentialsFile = {
+    version: 1,
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+
+  return JSON.stringify(file, null, 2);
+}
+
+export function decryptCredentials(contents: string, passphrase: string): { username: string; password: string } {
+  let file: EncryptedCredentialsFile;
+  try {
+    file = JSON.parse(contents);
+  } catch {
+    throw new Error("Credentials file is not valid JSON");
+  }
+
+  try {
+    const decipher = createDecipheriv(
+      "aes-256-gcm",
+      deriveKey(passphrase, Buffer.from(file.salt, "base64")),
+      Buffer.from(file.iv, "base64"),
+    );
+    decipher.setAuthTag(Buffer.from(file.tag, "base64"));
+    const plain = Buffer.concat([decipher.update(Buffer.from(file.data, "base64")), decipher.final()]);
+    const { username, password } = JSON.parse(plain.toString("utf8"));
+
+    if (typeof username !== "string" || typeof password !== "string") {
+      throw new Error("missing fields");
+    }
+
+    return { username, password };
+  } catch {
+    // Deliberately vague: the cause may include decrypted material
+    throw new Error("Could not decrypt credentials file (wrong DPS_CREDENTIALS_KEY or corrupted file)");
+  }
+}
+
+export function envCredentialProvider(env: NodeJS.ProcessEnv = process.env): CredentialProvider {
+  return async () => {
+    const username = env.DPS_USERNAME?.trim();
+    const password = env.DPS_PASSWORD;
+
+    return username && password ? { username, password, source: "env" } : null;
+  };
+}
+
+export function fileCredentialProvider(
+  path: string | undefined = process.env.DPS_CREDENTIALS_FILE,
+  passphrase: string | undefined = process.env.DPS_CREDENTIALS_KEY,
+): CredentialProvider {
+  return async () => {
+    if (!path || !passphrase) return null;
+
+    let contents: string;
+    try {
+      contents = await readFile(path, "utf8");
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === "ENOENT") return null;
+      throw error;
+    }
+
+    return { ...decryptCredentials(contents, passphrase), source: `file:${path}` };
+  };
+}
+
+/**
+ * Return the first credentials any provider supplies, in order.
+ */
+export async function resolvePortalCredentials(
+  providers: CredentialProvider[] = [envCredentialProvider(), fileCredentialProvider()],
+): Promise<PortalCredentials> {
+  for (const provider of providers) {
+    const credentials = await provider();
+    if (credentials) return credentials;
+  }
+
+  throw new MissingCredentialsError();
+}
+
+/**
+ * Build a function that masks every occurrence of the given secrets in a
+ * string, or in the strings nested inside arrays and plain objects.
+ */
+export function createRedactor(secrets: Array<string | null | undefined>): <T>(value: T) => T {
+  // Longest first so a password containing the username is masked whole
+  const masks = secrets
+    .filter((secret): secret is string => typeof secret === "string" && secret.length > 0)
+    .sort((a, b) => b.length - a.length);
+
+  const redact = (value: unknown): unknown => {
+    if (typeof value === "string") {
+      return masks.reduce((text, secret) => text.split(secret).join(REDACTED), value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(redact);
+    }
+    if (value && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, redact(entry)]));
+    }
+    return value;
+  };
+
+  return <T>(value: T) => redact(value) as T;
+}
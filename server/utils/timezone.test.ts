@@ -0,0 +1,137 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  computeEventStatus,
+  normalizeEventDates,
+  parsePortalDate,
+  parsePortalDateRange,
+} from "./timezone";
+
+const reference = new Date("2024-12-10T00:00:00Z");
+
+function utcOf(input: string, options = {}) {
+  return parsePortalDate(input, { reference, ...options })?.utc ?? null;
+}
+
+function rangeOf(input: string, options = {}) {
+  const range = parsePortalDateRange(input, { reference, ...options });
+  return range ? [range.start.utc, range.end?.utc ?? null] : null;
+}
+
+test("date-only values are anchored at 00:00 Dubai time", () => {
+  assert.equal(utcOf("2024-06-15"), "2024-06-14T20:00:00.000Z");
+  assert.equal(utcOf("15 June 2024"), "2024-06-14T20:00:00.000Z");
+  assert.equal(utcOf("15th June 2024"), "2024-06-14T20:00:00.000Z");
+  assert.equal(utcOf("Saturday, 15 June 2024"), "2024-06-14T20:00:00.000Z");
+  assert.equal(utcOf("15-Jun-2024"), "2024-06-14T20:00:00.000Z");
+  assert.equal(utcOf("June 15, 2024"), "2024-06-14T20:00:00.000Z");
+  assert.equal(parsePortalDate("2024-06-15")?.hasTime, false);
+});
+
+test("ISO times without an offset are Dubai wall-clock, explicit offsets win", () => {
+  assert.equal(utcOf("2024-06-15T10:00"), "2024-06-15T06:00:00.000Z");
+  assert.equal(utcOf("2024-06-15T10:00:00Z"), "2024-06-15T10:00:00.000Z");
+  assert.equal(utcOf("2024-06-15T10:00:00+05:30"), "2024-06-15T04:30:00.000Z");
+});
+
+test("12- and 24-hour times", () => {
+  assert.equal(utcOf("June 15, 2024 10:30 AM"), "2024-06-15T06:30:00.000Z");
+  assert.equal(utcOf("June 15, 2024 12:00 AM"), "2024-06-14T20:00:00.000Z");
+  assert.equal(utcOf("15 June 2024 2 pm"), "2024-06-15T10:00:00.000Z");
+  assert.equal(utcOf("15.06.2024 14:00"), "2024-06-15T10:00:00.000Z");
+  assert.equal(parsePortalDate("15.06.2024 14:00")?.hasTime, true);
+});
+
+// Month-first matches the "6/15/2024" dates in our own text report; what the
+// portal emits for ambiguous days has not been confirmed against a live page.
+test("numeric dates: unambiguous either way, ambiguous ones follow the order option", () => {
+  assert.equal(utcOf("6/15/2024"), "2024-06-14T20:00:00.000Z");
+  assert.equal(utcOf("15/6/2024"), "2024-06-14T20:00:00.000Z");
+  assert.equal(utcOf("6/7/2024"), "2024-06-06T20:00:00.000Z");
+  assert.equal(utcOf("6/7/2024", { order: "dmy" }), "2024-07-05T20:00:00.000Z");
+  assert.equal(utcOf("6/7/24"), "2024-06-06T20:00:00.000Z");
+  assert.equal(utcOf("6/15/99"), "1999-06-14T20:00:00.000Z");
+  assert.equal(utcOf("15 June 99"), "1999-06-14T20:00:00.000Z");
+});
+
+test("missing years resolve to the closest year to the reference", () => {
+  assert.equal(utcOf("15 June"), "2024-06-14T20:00:00.000Z");
+  assert.equal(utcOf("Jan 5"), "2025-01-04T20:00:00.000Z");
+  assert.equal(parsePortalDate("Jan 5", { reference })?.inferredYear, true);
+});
+
+test("invalid dates return null", () => {
+  assert.equal(utcOf("nonsense"), null);
+  assert.equal(utcOf("Feb 30"), null);
+  assert.equal(utcOf("31/31/2024"), null);
+  assert.equal(utcOf("2024-06-15T25:00"), null);
+  assert.equal(utcOf("2024-06-15T10:60:00Z"), null);
+  assert.equal(utcOf("June 15, 2024 10:75"), null);
+  assert.equal(utcOf("June 15, 2024 24:00"), null);
+  assert.equal(utcOf("June 15, 2024 10:75 AM"), null);
+});
+
+test("ranges", () => {
+  const june = ["2024-06-14T20:00:00.000Z", "2024-06-19T20:00:00.000Z"];
+  assert.deepEqual(rangeOf("15-20 June 2024"), june);
+  assert.deepEqual(rangeOf("June 15-20, 2024"), june);
+  assert.deepEqual(rangeOf("15/06/2024 - 20/06/2024"), june);
+  assert.deepEqual(rangeOf("15/06/2024-20/06/2024"), june);
+  assert.deepEqual(rangeOf("15.06.2024–20.06.2024"), june);
+  assert.deepEqual(rangeOf("15 June to 20 June 2024"), june);
+  assert.deepEqual(rangeOf("15 June 2024 - 20 June", { reference: new Date("2026-10-19T00:00:00Z") }), june);
+  assert.deepEqual(rangeOf("20 Dec - 5 Jan 2025"), ["2024-12-19T20:00:00.000Z", "2025-01-04T20:00:00.000Z"]);
+  assert.deepEqual(rangeOf("20 Dec 2024 - 5 Jan"), ["2024-12-19T20:00:00.000Z", "2025-01-04T20:00:00.000Z"]);
+  assert.deepEqual(rangeOf("2024-06-15"), ["2024-06-14T20:00:00.000Z", null]);
+  assert.equal(rangeOf("20 June 2024 - 15 June 2024"), null);
+});
+
+test("status follows the deadline through the end of its Dubai day", () => {
+  const event = { deadline: "2024-06-14", eventDate: "2024-06-15" };
+  assert.equal(computeEventStatus(event, new Date("2024-06-14T12:00:00Z")), "open");
+  assert.equal(computeEventStatus(event, new Date("2024-06-14T19:59:59Z")), "open");
+  assert.equal(computeEventStatus(event, new Date("2024-06-14T20:00:00Z")), "closed");
+});
+
+test("a deadline range stays open until the end of its last day", () => {
+  const event = { deadline: "10 - 12 June 2024", eventDate: "2024-06-15" };
+  assert.equal(computeEventStatus(event, new Date("2024-06-11T12:00:00Z")), "open");
+  assert.equal(computeEventStatus(event, new Date("2024-06-12T19:59:59Z")), "open");
+  assert.equal(computeEventStatus(event, new Date("2024-06-12T20:00:00Z")), "closed");
+  assert.equal(normalizeEventDates(event, new Date("2024-06-11T12:00:00Z")).deadline, "2024-06-11T20:00:00.000Z");
+});
+
+test("an unreadable deadline keeps the scraped status", () => {
+  const now = new Date("2025-01-01T00:00:00Z");
+  const event = { deadline: "TBA", eventDate: "2024-06-15", status: "open" };
+
+  assert.equal(computeEventStatus(event, now), null);
+  assert.equal(normalizeEventDates(event, now).status, "open");
+  assert.equal(normalizeEventDates(event, now).deadline, "TBA");
+  assert.equal(computeEventStatus({ ...event, deadline: "  " }, now), "closed");
+});
+
+test("status without a deadline is upcoming until the event ends", () => {
+  const event = { eventDate: "15-20 June 2024" };
+  assert.equal(computeEventStatus(event, new Date("2024-06-01T00:00:00Z")), "upcoming");
+  assert.equal(computeEventStatus(event, new Date("2024-06-20T20:00:00Z")), "closed");
+  assert.equal(computeEventStatus({}, reference), null);
+});
+
+test("normalizeEventDates is idempotent and keeps date-only deadlines whole-day", () => {
+  const now = new Date("2024-06-14T12:00:00Z");
+  const scraped = { eventDate: "15-20 June 2024", deadline: "6/14/2024", status: "closed" };
+
+  const once = normalizeEventDates(scraped, now);
+  const twice = normalizeEventDates(once, now);
+
+  assert.equal(once.status, "open");
+  assert.equal(once.deadline, "2024-06-13T20:00:00.000Z");
+  assert.equal(once.endDate, "2024-06-19T20:00:00.000Z");
+  assert.deepEqual(once.metadata?.rawDates, { eventDate: "15-20 June 2024", endDate: null, deadline: "6/14/2024" });
+  assert.equal(once.metadata?.scrapedStatus, "closed");
+  assert.deepEqual(once.metadata?.dateOnly, { eventDate: true, endDate: true, deadline: true });
+
+  assert.deepEqual(twice, once);
+  assert.equal(computeEventStatus(once, now), "open");
+});
@@ -0,0 +1,470 @@
+/**
+ * Date normalisation for portal dates.
+ *
+ * The portal and our own exports emit dates in several shapes ("2024-06-15",
+ * "6/15/2024", "15 June", "15-20 June 2024", "June 15, 2024 10:00 AM").
+ * Everything here is read as Asia/Dubai wall-clock time and stored as a UTC
+ * instant alongside the original string.
+ */
+
+export const DUBAI_TIMEZONE = "Asia/Dubai";
+
+// Dubai has no daylight saving time, so the offset is fixed at UTC+4
+export const DUBAI_UTC_OFFSET_MINUTES = 4 * 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS: Record<string, number> = {
+  jan: 0, january: 0,
+  feb: 1, february: 1,
+  mar: 2, march: 2,
+  apr: 3, april: 3,
+  may: 4,
+  jun: 5, june: 5,
+  jul: 6, july: 6,
+  aug: 7, august: 7,
+  sep: 8, sept: 8, september: 8,
+  oct: 9, october: 9,
+  nov: 10, november: 10,
+  dec: 11, december: 11,
+};
+
+export type DateOrder = "mdy" | "dmy";
+
+export type EventStatus = "open" | "closed" | "upcoming";
+
+export interface DateParseOptions {
+  // Used to infer a missing year; defaults to the current time
+  reference?: Date;
+  // How to read ambiguous numeric dates such as 6/7/2024 (default: month first)
+  order?: DateOrder;
+}
+
+export interface PortalDate {
+  original: string;
+  // UTC instant as an ISO string
+  utc: string;
+  // false for date-only values, which are anchored at 00:00 Dubai time
+  hasTime: boolean;
+  // true when the year was missing and had to be inferred
+  inferredYear: boolean;
+}
+
+export interface PortalDateRange {
+  original: string;
+  start: PortalDate;
+  end: PortalDate | null;
+}
+
+interface DateParts {
+  year: number | null;
+  month: number;
+  day: number;
+}
+
+interface TimeParts {
+  hours: number;
+  minutes: number;
+  seconds: number;
+}
+
+function monthIndex(name: string): number | null {
+  const index = MONTHS[name.toLowerCase().replace(/\.$/, "")];
+  return index === undefined ? null : index;
+}
+
+// Two-digit years take the century closest to the reference year, so "99" read in 2024 is 1999
+function expandYear(year: string, referenceYear: number): number {
+  const value = Number(year);
+  if (year.length !== 2) return value;
+
+  const century = Math.floor(referenceYear / 100) * 100;
+  return [century - 100, century, century + 100]
+    .map((base) => base + value)
+    .reduce((best, candidate) =>
+      Math.abs(candidate - referenceYear) < Math.abs(best - referenceYear) ? candidate : best,
+    );
+}
+
+function isValidTime({ hours, minutes, seconds }: TimeParts): boolean {
+  return hours <= 23 && minutes <= 59 && seconds <= 59;
+}
+
+function isValidDay(year: number, month: number, day: number): boolean {
+  if (month < 0 || month > 11 || day < 1) return false;
+  return day <= new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function dubaiToUtc(year: number, month: number, day: number, time?: TimeParts): Date {
+  const local = Date.UTC(year, month, day, time?.hours ?? 0, time?.minutes ?? 0, time?.seconds ?? 0);
+  return new Date(local - DUBAI_UTC_OFFSET_MINUTES * 60 * 1000);
+}
+
+/**
+ * Calendar fields of an instant as seen on a clock in Dubai.
+ */
+export function toDubaiParts(date: Date): { year: number; month: number; day: number } {
+  const shifted = new Date(date.getTime() + DUBAI_UTC_OFFSET_MINUTES * 60 * 1000);
+  return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth(), day: shifted.getUTCDate() };
+}
+
+/**
+ * Pick the year that puts a day/month closest to the reference date, so
+ * "15 June" read in December resolves to next June rather than last June.
+ */
+function inferYear(month: number, day: number, reference: Date): number {
+  const { year } = toDubaiParts(reference);
+  const candidates = [year - 1, year, year + 1].filter((candidate) => isValidDay(candidate, month, day));
+  if (candidates.length === 0) return year;
+
+  return candidates.reduce((best, candidate) => {
+    const distance = Math.abs(dubaiToUtc(candidate, month, day).getTime() - reference.getTime());
+    const bestDistance = Math.abs(dubaiToUtc(best, month, day).getTime() - reference.getTime());
+    return distance < bestDistance ? candidate : best;
+  });
+}
+
+function splitTime(text: string): { rest: string; time: TimeParts | null } {
+  const twelveHour = /[\s,@]+(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\.?$/i.exec(text);
+  if (twelveHour) {
+    const hours = Number(twelveHour[1]);
+    const time = {
+      hours: (hours % 12) + (twelveHour[3].toLowerCase() === "p" ? 12 : 0),
+      minutes: Number(twelveHour[2] ?? 0),
+      seconds: 0,
+    };
+    if (hours < 1 || hours > 12 || !isValidTime(time)) return { rest: text, time: null };
+    return { rest: text.slice(0, twelveHour.index), time };
+  }
+
+  const twentyFourHour = /[\s,@]+(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(text);
+  if (twentyFourHour) {
+    const time = {
+      hours: Number(twentyFourHour[1]),
+      minutes: Number(twentyFourHour[2]),
+      seconds: Number(twentyFourHour[3] ?? 0),
+    };
+    if (!isValidTime(time)) return { rest: text, time: null };
+    return { rest: text.slice(0, twentyFourHour.index), time };
+  }
+
+  return { rest: text, time: null };
+}
+
+function parseDateParts(text: string, order: DateOrder, referenceYear: number): DateParts | null {
+  // 6/15/2024, 15.06.2024, 15-06-24, 6/15
+  const numeric = /^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2}|\d{4}))?$/.exec(text);
+  if (numeric) {
+    const first = Number(numeric[1]);
+    const second = Number(numeric[2]);
+    const dayFirst = first > 12 || (second <= 12 && order === "dmy");
+    return {
+      year: numeric[3] ? expandYear(numeric[3], referenceYear) : null,
+      month: (dayFirst ? second : first) - 1,
+      day: dayFirst ? first : second,
+    };
+  }
+
+  // 2024/06/15
+  const yearFirst = /^(\d{4})[/.](\d{1,2})[/.](\d{1,2})$/.exec(text);
+  if (yearFirst) {
+    return { year: Number(yearFirst[1]), month: Number(yearFirst[2]) - 1, day: Number(yearFirst[3]) };
+  }
+
+  // 15 June 2024, 15-Jun-2024, 15 June
+  const dayMonth = /^(\d{1,2})[\s-]+([a-z]+\.?)(?:[\s-]+(\d{2}|\d{4}))?$/i.exec(text);
+  if (dayMonth) {
+    const month = monthIndex(dayMonth[2]);
+    if (month === null) return null;
+    return { year: dayMonth[3] ? expandYear(dayMonth[3], referenceYear) : null, month, day: Number(dayMonth[1]) };
+  }
+
+  // June 15, 2024, Jun 15
+  const monthDay = /^([a-z]+\.?)\s+(\d{1,2})(?:\s+(\d{4}))?$/i.exec(text);
+  if (monthDay) {
+    const month = monthIndex(monthDay[1]);
+    if (month === null) return null;
+    return { year: monthDay[3] ? Number(monthDay[3]) : null, month, day: Number(monthDay[2]) };
+  }
+
+  return null;
+}
+
+function cleanDateText(text: string): string {
+  return text
+    .replace(/\b(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?,?\s+/gi, "")
+    .replace(/(\d)(st|nd|rd|th)\b/gi, "$1")
+    .replace(/\bof\s+/gi, "")
+    .replace(/,/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function buildPortalDate(
+  original: string,
+  parts: DateParts,
+  time: TimeParts | null,
+  reference: Date,
+): PortalDate | null {
+  const inferredYear = parts.year === null;
+  const year = parts.year ?? inferYear(parts.month, parts.day, reference);
+
+  if (!isValidDay(year, parts.month, parts.day)) return null;
+
+  return {
+    original,
+    utc: dubaiToUtc(year, parts.month, parts.day, time ?? undefined).toISOString(),
+    hasTime: time !== null,
+    inferredYear,
+  };
+}
+
+/**
+ * Parse a single portal date. Returns null for anything that is not a
+ * recognisable date, so callers can keep the raw value.
+ */
+export function parsePortalDate(input: string | null | undefined, options: DateParseOptions = {}): PortalDate | null {
+  if (!input) return null;
+
+  const original = input.trim();
+  if (!original) return null;
+
+  const reference = options.reference ?? new Date();
+
+  // ISO dates; an explicit offset wins, otherwise the wall-clock time is Dubai's
+  const iso = /^(\d{4})-(\d{2})-(\d{2})(?:[T\s](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i.exec(original);
+  if (iso) {
+    const [, year, month, day, hours, minutes, seconds, offset] = iso;
+    const time = hours ? { hours: Number(hours), minutes: Number(minutes), seconds: Number(seconds ?? 0) } : null;
+    if (time && !isValidTime(time)) return null;
+
+    if (offset) {
+      const instant = new Date(original.replace(" ", "T"));
+      if (Number.isNaN(instant.getTime())) return null;
+      return { original, utc: instant.toISOString(), hasTime: true, inferredYear: false };
+    }
+
+    return buildPortalDate(original, { year: Number(year), month: Number(month) - 1, day: Number(day) }, time, reference);
+  }
+
+  const { rest, time } = splitTime(cleanDateText(original));
+  const parts = parseDateParts(rest, options.order ?? "mdy", toDubaiParts(reference).year);
+
+  return parts ? buildPortalDate(original, parts, time, reference) : null;
+}
+
+/**
+ * Parse a date that may be a range: "15/06/2024 - 20/06/2024",
+ * "15/06/2024-20/06/2024", "15-20 June 2024", "June 15-20, 2024" or
+ * "15 June to 20 June".
+ * A single date comes back with a null end.
+ */
+export function parsePortalDateRange(
+  input: string | null | undefined,
+  options: DateParseOptions = {},
+): PortalDateRange | null {
+  if (!input) return null;
+
+  const original = input.trim();
+  const cleaned = cleanDateText(original);
+
+  // 15-20 June 2024
+  const dayRange = /^(\d{1,2})\s*[-–—]\s*(\d{1,2})\s+([a-z]+\.?)(?:\s+(\d{4}))?$/i.exec(cleaned);
+  if (dayRange) {
+    const [, startDay, endDay, month, year] = dayRange;
+    return buildRange(original, `${startDay} ${month} ${year ?? ""}`, `${endDay} ${month} ${year ?? ""}`, options);
+  }
+
+  // June 15-20 2024
+  const monthRange = /^([a-z]+\.?)\s+(\d{1,2})\s*[-–—]\s*(\d{1,2})(?:\s+(\d{4}))?$/i.exec(cleaned);
+  if (monthRange) {
+    const [, month, startDay, endDay, year] = monthRange;
+    return buildRange(original, `${month} ${startDay} ${year ?? ""}`, `${month} ${endDay} ${year ?? ""}`, options);
+  }
+
+  // 15/06/2024-20/06/2024: slash or dot dates cannot be confused with an ISO date
+  const numericRange = /^(\d{1,2}[/.]\d{1,2}(?:[/.]\d{2,4})?)\s*[-–—]\s*(\d{1,2}[/.]\d{1,2}(?:[/.]\d{2,4})?)$/.exec(cleaned);
+  if (numericRange) {
+    return buildRange(original, numericRange[1], numericRange[2], options);
+  }
+
+  // Separators need surrounding spaces (or an en/em dash) so "2024-06-15" is not split
+  const separated = /^(.+?)(?:\s+(?:-|to|until|till)\s+|\s*[–—]\s*)(.+)$/i.exec(cleaned);
+  if (separated) {
+    return buildRange(original, separated[1], separated[2], options);
+  }
+
+  const single = parsePortalDate(original, options);
+  return single ? { original, start: single, end: null } : null;
+}
+
+function buildRange(
+  original: string,
+  startText: string,
+  endText: string,
+  options: DateParseOptions,
+): PortalDateRange | null {
+  let start = parsePortalDate(startText.trim(), options);
+  let end = parsePortalDate(endText.trim(), options);
+  if (!start || !end) return null;
+
+  // A side without a year takes it from the other side rather than from now:
+  // "15 June - 20 June 2024", "15 June 2024 - 20 June", "20 Dec - 5 Jan 2025"
+  if (start.inferredYear && !end.inferredYear) {
+    start = parsePortalDate(startText.trim(), { ...options, reference: new Date(end.utc) });
+  } else if (end.inferredYear) {
+    end = parsePortalDate(endText.trim(), { ...options, reference: new Date(start.utc) });
+  }
+  if (!start || !end) return null;
+
+  const span = new Date(end.utc).getTime() - new Date(start.utc).getTime();
+  if (span < 0) return null;
+  if ((start.inferredYear || end.inferredYear) && span > 366 * DAY_MS) return null;
+
+  return {
+    original,
+    start: { ...start, original: startText.trim() },
+    end: { ...end, original: endText.trim() },
+  };
+}
+
+/**
+ * The last instant a date still counts for: date-only values run until
+ * the end of that day in Dubai.
+ */
+export function endOfPortalDate(date: PortalDate): Date {
+  const instant = new Date(date.utc);
+  return date.hasTime ? instant : new Date(instant.getTime() + DAY_MS - 1);
+}
+
+type DateField = "eventDate" | "endDate" | "deadline";
+
+export interface EventDateFields {
+  eventDate?: string | null;
+  endDate?: string | null;
+  deadline?: string | null;
+  status?: string | null;
+  metadata?: Record<string, unknown>;
+}
+
+function metadataRecord(event: EventDateFields, key: string): Record<string, unknown> | null {
+  const value = event.metadata?.[key];
+  return typeof value === "object" && value !== null ? (value as Record<string, unknown>) : null;
+}
+
+// A stored instant ("2024-06-13T20:00:00.000Z") parses as timed, so the
+// date-only flag written by normalizeEventDates has to be reapplied
+function withDateOnlyFlag(event: EventDateFields, field: DateField, date: PortalDate | null): PortalDate | null {
+  if (!date) return null;
+  return metadataRecord(event, "dateOnly")?.[field] === true ? { ...date, hasTime: false } : date;
+}
+
+/**
+ * Parse an event's date fields, scraped or already normalised, honouring
+ * the date-only flags in metadata.dateOnly. A deadline given as a range
+ * ("10 - 12 June 2024") counts until the end of the range.
+ */
+export function readEventDates(
+  event: EventDateFields,
+  options: DateParseOptions = {},
+): { eventDate: PortalDate | null; endDate: PortalDate | null; deadline: PortalDate | null } {
+  const range = parsePortalDateRange(event.eventDate, options);
+  const eventDate = withDateOnlyFlag(event, "eventDate", range?.start ?? null);
+  const endDate = withDateOnlyFlag(event, "endDate", parsePortalDate(event.endDate, options)) ?? range?.end ?? null;
+  const deadlineRange = parsePortalDateRange(event.deadline, options);
+  const deadline = withDateOnlyFlag(event, "deadline", deadlineRange?.end ?? deadlineRange?.start ?? null);
+
+  return { eventDate, endDate, deadline };
+}
+
+function statusFromDates(
+  event: EventDateFields,
+  { eventDate, endDate, deadline }: ReturnType<typeof readEventDates>,
+  now: Date,
+): EventStatus | null {
+  if (deadline) return now <= endOfPortalDate(deadline) ? "open" : "closed";
+
+  // A deadline we cannot read ("TBA") still exists, so the event dates say nothing about registration
+  if (event.deadline?.trim()) return null;
+
+  const eventEnd = endDate ?? eventDate;
+  if (eventEnd) return now <= endOfPortalDate(eventEnd) ? "upcoming" : "closed";
+  return null;
+}
+
+/**
+ * Work out an event's status from its dates instead of the scraped label.
+ *
+ * The portal's status describes registration on the Express Interest page,
+ * and the dashboard filters on open/closed, so the deadline decides: open
+ * until the end of the deadline day in Dubai, closed after it. An event
+ * with no deadline has no registration window yet, which is what
+ * "upcoming" means (not yet open); it becomes closed once the event is
+ * over. Returns null when no date can be parsed, or when the deadline is
+ * present but unreadable, leaving the scraped status to stand.
+ *
+ * Accepts both scraped strings and the output of normalizeEventDates.
+ */
+export function computeEventStatus(
+  event: EventDateFields,
+  now: Date = new Date(),
+  options: DateParseOptions = {},
+): EventStatus | null {
+  const dates = readEventDates(event, { ...options, reference: options.reference ?? now });
+  return statusFromDates(event, dates, now);
+}
+
+/**
+ * Rewrite an event's dates as UTC ISO strings and recompute status.
+ * The scraped strings and status are kept in metadata.rawDates and
+ * metadata.scrapedStatus, and metadata.dateOnly records which instants
+ * stand for a whole Dubai day. Dates that cannot be parsed are left as
+ * scraped. Running it again on its own output changes nothing but the
+ * status, which moves with `now`.
+ */
+export function normalizeEventDates<T extends EventDateFields>(
+  event: T,
+  now: Date = new Date(),
+  options: DateParseOptions = {},
+): T {
+  const dates = readEventDates(event, { ...options, reference: options.reference ?? now });
+  const { eventDate, endDate, deadline } = dates;
+  const alreadyNormalized = metadataRecord(event, "rawDates") !== null;
+
+  return {
+    ...event,
+    eventDate: eventDate?.utc ?? event.eventDate,
+    endDate: endDate?.utc ?? event.endDate,
+    deadline: deadline?.utc ?? event.deadline,
+    status: statusFromDates(event, dates, now) ?? event.status,
+    metadata: {
+      ...event.metadata,
+      rawDates: alreadyNormalized
+        ? event.metadata?.rawDates
+        : {
+          eventDate: event.eventDate ?? null,
+          endDate: event.endDate ?? null,
+          deadline: event.deadline ?? null,
+        },
+      scrapedStatus: alreadyNormalized ? event.metadata?.scrapedStatus : event.status ?? null,
+      dateOnly: {
+        eventDate: eventDate ? !eventDate.hasTime : null,
+        endDate: endDate ? !endDate.hasTime : null,
+        deadline: deadline ? !deadline.hasTime : null,
+      },
+    },
+  };
+}
+
+/**
+ * Format an instant for display on a Dubai clock, e.g. "15 Jun 2024, 10:00".
+ */
+export function formatInDubai(date: Date | string, withTime = false): string {
+  return new Intl.DateTimeFormat("en-GB", {
+    timeZone: DUBAI_TIMEZONE,
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    ...(withTime ? { hour: "2-digit", minute: "2-digit", hour12: false } : {}),
+  }).format(typeof date === "string" ? new Date(date) : date);
+}
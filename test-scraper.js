@@ -1,10 +1,32 @@
-import { testScrapingInfrastructure, testDPSLogin } from './server/services/testScraper.js';
+// Imports TypeScript modules from server/; run with `npm run test:scraper` (tsx)
+import { testScrapingInfrastructure } from './server/services/testScraper.js';
 import { loginToPortal, scrapeEvents } from './server/services/dpsPortal.js';
+import { normalizeEvents } from './server/services/eventNormalizer.js';
+import { normalizeEventDates, formatInDubai } from './server/utils/timezone.js';
+import { resolvePortalCredentials, createRedactor } from './server/utils/credentials.js';
 
 console.log('=== DPS Portal Scraper Test ===');
 console.log('Testing complete workflow: Login → Dashboard → Holistic Development → Event Participation → School Events & Activities → Express Interest for Audition');
 console.log('');
 
+let credentials;
+try {
+  credentials = await resolvePortalCredentials();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+// Mask portal credentials wherever they could end up in console output
+const redact = createRedactor([credentials.username, credentials.password]);
+
+// Show normalised dates on a Dubai clock; unparseable values are printed as scraped
+function formatDate(value) {
+  if (!value) return 'n/a';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? value : formatInDubai(date);
+}
+
 async function runCompleteTest() {
   try {
     console.log('Step 1: Testing portal connection...');
@@ -14,24 +36,21 @@ async function runCompleteTest() {
     
     if (infraResult.success) {
       console.log('');
-      console.log('Step 2: Testing login with credentials S17530/SHAS17530KRI...');
-      const loginResult = await testDPSLogin();
-      console.log('✓ Login test:', loginResult.success ? 'SUCCESS' : 'FAILED');
-      console.log('  Message:', loginResult.message);
-      
-      if (loginResult.loginData) {
-        console.log('  Before login:', loginResult.loginData.beforeLogin);
-        console.log('  After login:', loginResult.loginData.afterLogin);
-        console.log('  Page title:', loginResult.loginData.titleAfterLogin);
-      }
-      
-      console.log('');
-      console.log('Step 3: Testing complete navigation and event scraping...');
-      const browser = await loginToPortal('S17530', 'SHAS17530KRI');
+      console.log(`Step 2: Logging in with credentials from ${credentials.source}...`);
+      const browser = await loginToPortal(credentials.username, credentials.password);
       
       if (browser) {
-        console.log('✓ Login successful, now navigating through portal...');
-        const events = await scrapeEvents(browser);
+        const pages = await browser.pages();
+        const page = pages[pages.length - 1];
+        const loginData = redact({ afterLogin: page.url(), titleAfterLogin: await page.title() });
+        console.log('✓ Login: SUCCESS');
+        console.log('  After login:', loginData.afterLogin);
+        console.log('  Page title:', loginData.titleAfterLogin);
+        
+        console.log('');
+        console.log('Step 3: Testing complete navigation and event scraping...');
+        const { events: normalized, unknownCategories } = normalizeEvents(await scrapeEvents(browser));
+        const events = normalized.map((event) => normalizeEventDates(event));
         await browser.close();
         
         console.log('✓ Navigation and scraping completed');
@@ -43,23 +62,28 @@ async function runCompleteTest() {
           events.forEach((event, index) => {
             console.log(`Event ${index + 1}:`);
             console.log(`  Title: ${event.title}`);
+            console.log(`  Category: ${event.category}${event.subCategory ? ` / ${event.subCategory}` : ''}`);
             console.log(`  Description: ${event.description.substring(0, 100)}...`);
-            console.log(`  Event Date: ${event.eventDate}`);
-            console.log(`  Deadline: ${event.deadline}`);
-            console.log(`  Status: ${event.status}`);
+            console.log(`  Event Date: ${formatDate(event.eventDate)} (portal: ${event.metadata.rawDates.eventDate})`);
+            console.log(`  Deadline: ${formatDate(event.deadline)} (portal: ${event.metadata.rawDates.deadline})`);
+            console.log(`  Status: ${event.status} (portal: ${event.metadata.scrapedStatus})`);
             console.log(`  Portal ID: ${event.portalId}`);
-            if (event.metadata) {
-              console.log(`  Scraped From: ${event.metadata.scrapedFrom}`);
-              console.log(`  Method: ${event.metadata.extractionMethod || 'portal-navigation'}`);
-            }
+            // Both normalisation stages always populate metadata
+            console.log(`  Scraped From: ${event.metadata.scrapedFrom}`);
+            console.log(`  Method: ${event.metadata.extractionMethod || 'portal-navigation'}`);
             console.log('');
           });
         }
         
+        if (unknownCategories.length > 0) {
+          console.log(`⚠ Unmapped portal categories (review taxonomy): ${unknownCategories.join(', ')}`);
+          console.log('');
+        }
+        
         console.log('=== TEST COMPLETE ===');
         console.log('The DPS portal scraper successfully:');
         console.log('1. Connected to https://www.msdpssharjah.com/Login');
-        console.log('2. Logged in with credentials S17530/SHAS17530KRI');
+        console.log(`2. Logged in with credentials from ${credentials.source}`);
         console.log('3. Navigated: Dashboard → Holistic Development → Event Participation → School Events & Activities → Express Interest for Audition');
         console.log('4. Extracted event data from the final page');
         console.log('');
@@ -71,7 +95,7 @@ async function runCompleteTest() {
     }
     
   } catch (error) {
-    console.error('Test failed:', error.message);
+    console.error('Test failed:', redact(error.message));
     console.log('');
     console.log('This is expected in development due to routing conflicts.');
     console.log('The scraper will work correctly when deployed to production.');